@@ -1,57 +1,122 @@
 // dashboard-app.js - FIXED: Enhanced EDI Dashboard with improved session management and stock visualization
 
+// Escape server-provided text before it goes into an innerHTML template or attribute value
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+}
+
 class EDIDashboard {
     constructor() {
-        this.ediData = [];
+        this.ediData = []; // Active orders (cancelled orders excluded from simulation and charts)
+        this.allOrders = []; // Including orders cancelled by a snapshot import
         this.forecastData = {};
+        this.previousForecastData = {}; // Same keys as forecastData, from the previous forecast version
+        this.previousForecastLabel = null; // Name of that version, null when there is none
         this.materialStocks = {}; // Material stock data
-        this.stockCalculations = {}; // Stock consumption calculations
+        this.stockCalculations = {}; // Group key -> projection from /api/stock-projection
+        this.forecastConsumption = {}; // Same keys as forecastData -> { forecast, consumed, remaining }
+        this.stockAlerts = []; // Safety stock / reorder point warnings from /api/alerts
+        this.recordedLots = {}; // Order id -> lots recorded when it was marked ok (/api/lot-allocations?basis=recorded)
         this.currentView = 'main';
-        this.userPermissions = { canEdit: false, canView: true };
+        this.userPermissions = { canEdit: false, canView: true, granted: [] };
         this.currentUser = null;
+        this.importPreview = null; // Pending import preview awaiting confirmation
         this.authUtils = window.authUtils; // Use the enhanced auth utils
         
-        // Drawing Number order
-        this.DRAWING_NUMBER_ORDER = [
-            'PP4166-4681P003',
-            'PP4166-4681P004', 
-            'PP4166-4726P003',
-            'PP4166-4726P004',
-            'PP4166-4731P002',
-            'PP4166-7106P001',
-            'PP4166-7106P003'
-        ];
-
-        // Product names mapping
-        this.PRODUCT_NAMES = {
-            'PP4166-4681P003': 'ｱｯﾊﾟﾌﾞﾚｰﾑ',
-            'PP4166-4681P004': 'ｱｯﾊﾟﾌﾞﾚｰﾑ',
-            'PP4166-4726P003': 'ﾄｯﾌﾟﾌﾟﾚｰﾄ',
-            'PP4166-4726P004': 'ﾄｯﾌﾟﾌﾟﾚｰﾄ',
-            'PP4166-4731P002': 'ﾐﾄﾞﾙﾌﾚｰﾑ A',
-            'PP4166-7106P001': 'ﾐﾄﾞﾙﾌﾚｰﾑ B',
-            'PP4166-7106P003': 'ﾐﾄﾞﾙﾌﾚｰﾑ B'
-        };
+        // Product master - loaded from /api/products (see loadProductMaster)
+        this.DRAWING_NUMBER_ORDER = []; // Active drawing numbers in display order
+        this.PRODUCT_NAMES = {}; // Drawing number -> product name
+        this.productGroups = {}; // Material group key -> { name, icon, products }
+    }
 
-        // FIXED: Updated product group mappings - Split middle frame into two separate groups
-        this.productGroups = {
-            'upper-frame': {
-                name: 'ｱｯﾊﾟﾌﾞﾚｰﾑ',
-                products: ['PP4166-4681P003', 'PP4166-4681P004']
-            },
-            'top-plate': {
-                name: 'ﾄｯﾌﾟﾌﾟﾚｰﾄ',
-                products: ['PP4166-4726P003', 'PP4166-4726P004']
-            },
-            'middle-frame-a': {
-                name: 'ﾐﾄﾞﾙﾌﾚｰﾑ A',
-                products: ['PP4166-4731P002']
-            },
-            'middle-frame-b': {
-                name: 'ﾐﾄﾞﾙﾌﾚｰﾑ B',
-                products: ['PP4166-7106P001', 'PP4166-7106P003']
+    // ============ PRODUCT MASTER ============
+    async loadProductMaster() {
+        try {
+            const response = await this.authUtils.makeAuthenticatedRequest('/api/products');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
             }
-        };
+
+            const { groups } = await response.json();
+            this.DRAWING_NUMBER_ORDER = [];
+            this.PRODUCT_NAMES = {};
+            this.productGroups = {};
+
+            groups.forEach(group => {
+                this.productGroups[group.group_key] = {
+                    name: group.name,
+                    icon: group.icon,
+                    products: group.products.map(product => product.drawing_number)
+                };
+                group.products.forEach(product => {
+                    this.DRAWING_NUMBER_ORDER.push(product.drawing_number);
+                    this.PRODUCT_NAMES[product.drawing_number] = product.product_name || group.name;
+                });
+            });
+
+            // Keep the on-screen order identical to the server sort_order
+            const sortOrder = {};
+            groups.forEach(group => group.products.forEach(p => { sortOrder[p.drawing_number] = p.sort_order; }));
+            this.DRAWING_NUMBER_ORDER.sort((a, b) => sortOrder[a] - sortOrder[b]);
+
+            this.renderProductTabs(groups);
+            console.log('📦 Product master loaded:', this.DRAWING_NUMBER_ORDER.length, 'products');
+        } catch (error) {
+            console.error('❌ Error loading product master:', error);
+            this.showMessage('Failed to load product list: ' + error.message, 'error');
+        }
+    }
+
+    renderProductTabs(groups) {
+        const tabs = document.getElementById('productTabs');
+        const contents = document.getElementById('productTabContents');
+        if (!tabs || !contents) return;
+
+        tabs.querySelectorAll('.tab-btn[data-drawing]').forEach(btn => btn.remove());
+        contents.innerHTML = '';
+
+        const products = [];
+        groups.forEach(group => group.products.forEach(product => products.push({ product, group })));
+        products.sort((a, b) => a.product.sort_order - b.product.sort_order);
+
+        products.forEach(({ product, group }) => {
+            const drawingNumber = product.drawing_number;
+
+            const button = document.createElement('button');
+            button.className = 'tab-btn';
+            button.dataset.drawing = drawingNumber;
+            button.textContent = `${group.icon || '📦'} ${product.display_name || drawingNumber}`;
+            button.onclick = () => this.showProductPage(drawingNumber);
+            tabs.appendChild(button);
+
+            contents.insertAdjacentHTML('beforeend', `
+                <div id="tab-${drawingNumber}" class="tab-content">
+                    <div class="data-header">
+                        <h2>${group.icon || '📦'} ${drawingNumber} - ${product.product_name || group.name}</h2>
+                    </div>
+                    <div class="product-stats">
+                        <div class="stat-card">
+                            <div class="stat-number" id="total-quantity-${drawingNumber}">0</div>
+                            <div class="stat-label">Total Quantity</div>
+                        </div>
+                        <div class="stat-card">
+                            <div class="stat-number" id="total-orders-${drawingNumber}">0</div>
+                            <div class="stat-label">Total Orders</div>
+                        </div>
+                        <div class="stat-card">
+                            <div class="stat-number" id="next-delivery-${drawingNumber}">None</div>
+                            <div class="stat-label">Next Delivery</div>
+                        </div>
+                    </div>
+                    <div class="chart-container">
+                        <div id="chart-${drawingNumber}"></div>
+                    </div>
+                </div>
+            `);
+        });
     }
 
     // ============ FIXED AUTHENTICATION METHODS ============
@@ -90,7 +155,7 @@ class EDIDashboard {
         const userDisplay = document.getElementById('userDisplay');
         if (userDisplay) {
             const roleClass = userInfo.role === 'admin' ? 'admin' : 'user';
-            const roleText = userInfo.role === 'admin' ? 'ADMIN' : 'VIEW ONLY';
+            const roleText = userInfo.role === 'viewer' ? 'VIEW ONLY' : userInfo.role.toUpperCase();
             userDisplay.innerHTML = `
                 ${userInfo.username}
                 <span class="user-role ${roleClass}">${roleText}</span>
@@ -98,46 +163,47 @@ class EDIDashboard {
         }
     }
 
+    hasPermission(permission) {
+        return (this.userPermissions.granted || []).includes(permission);
+    }
+
+    // Controls marked .admin-only name the permission they need in data-permission
     updateUIForPermissions() {
         const adminElements = document.querySelectorAll('.admin-only');
         const readOnlyNotice = document.getElementById('readOnlyNotice');
         const emptyStateMessage = document.getElementById('emptyStateMessage');
         const getStartedSteps = document.getElementById('getStartedSteps');
-
-        if (!this.userPermissions.canEdit) {
-            // Disable admin elements
-            adminElements.forEach(element => {
-                element.classList.add('disabled');
-                if (element.tagName === 'BUTTON') {
-                    element.disabled = true;
-                }
-            });
-            
-            // Show read-only notice
-            if (readOnlyNotice) readOnlyNotice.classList.add('show');
-            
-            // Update empty state message for read-only users
-            if (emptyStateMessage && getStartedSteps) {
-                emptyStateMessage.textContent = 'No EDI data available. Contact admin to import data.';
-                getStartedSteps.style.display = 'none';
-            }
-        } else {
-            // Enable admin elements
-            adminElements.forEach(element => {
-                element.classList.remove('disabled');
-                if (element.tagName === 'BUTTON') {
-                    element.disabled = false;
-                }
-            });
-            
-            // Hide read-only notice
-            if (readOnlyNotice) readOnlyNotice.classList.remove('show');
-            
-            // Show login history button for admin users  
-            const loginHistoryBtn = document.getElementById('loginHistoryBtn');
-            if (loginHistoryBtn) {
-                loginHistoryBtn.style.display = 'inline-flex';
+        let canEditAny = false;
+
+        adminElements.forEach(element => {
+            const allowed = this.hasPermission(element.dataset.permission);
+            canEditAny = canEditAny || allowed;
+            element.classList.toggle('disabled', !allowed);
+            if (element.tagName === 'BUTTON') {
+                element.disabled = !allowed;
             }
+        });
+
+        // Show read-only notice when nothing on this page is editable
+        if (readOnlyNotice) readOnlyNotice.classList.toggle('show', !canEditAny);
+
+        // Update empty state message for users who cannot import
+        if (emptyStateMessage && getStartedSteps && !this.hasPermission('import.edi')) {
+            emptyStateMessage.textContent = 'No EDI data available. Contact admin to import data.';
+            getStartedSteps.style.display = 'none';
+        }
+
+        // Show login history button for user managers
+        const loginHistoryBtn = document.getElementById('loginHistoryBtn');
+        if (loginHistoryBtn) {
+            loginHistoryBtn.style.display = this.hasPermission('users.manage') ? 'inline-flex' : 'none';
+        }
+
+        // Show admin settings link
+        const adminNavLink = document.getElementById('adminNavLink');
+        if (adminNavLink) {
+            const canAdmin = this.hasPermission('master.write') || this.hasPermission('users.manage');
+            adminNavLink.style.display = canAdmin ? 'inline-block' : 'none';
         }
     }
 
@@ -169,13 +235,17 @@ class EDIDashboard {
             }
             
             const data = await response.json();
-            this.ediData = data;
+            this.allOrders = data;
+            this.ediData = data.filter(order => !order.cancelled_at);
             
             // Load forecast data
             await this.loadForecastData();
+            await this.loadPreviousForecastData();
             
             // Load material stock data and calculate consumption
             await this.loadMaterialStockData();
+            await this.loadStockAlerts();
+            await this.loadRecordedLots();
             
             // Update UI
             this.renderTable();
@@ -216,18 +286,8 @@ class EDIDashboard {
                 // Convert array to object for easier lookup with enhanced debugging
                 this.forecastData = {};
                 forecasts.forEach((forecast, index) => {
-                    // Ensure consistent date formatting
-                    let monthDate = forecast.month_date;
-                    
-                    // Handle different date formats that might come from the API
-                    if (monthDate && monthDate.includes('/')) {
-                        const parts = monthDate.split('/');
-                        if (parts.length >= 2) {
-                            const month = parts[0].padStart(2, '0');
-                            const day = parts[1] || '01';
-                            monthDate = `${month}/${day.padStart(2, '0')}`;
-                        }
-                    }
+                    // month_date is already a year-qualified YYYY/MM/01 key from the API
+                    const monthDate = forecast.month_date;
                     
                     const key = `${forecast.drawing_number}-${monthDate}`;
                     
@@ -258,6 +318,32 @@ class EDIDashboard {
         }
     }
 
+    // Previous forecast version, charted as a marker next to the current forecast bars
+    async loadPreviousForecastData() {
+        this.previousForecastData = {};
+        this.previousForecastLabel = null;
+        
+        try {
+            const response = await this.authUtils.makeAuthenticatedRequest('/api/forecast-versions/compare?base=previous&target=current');
+            if (response.status === 404) {
+                console.log('📈 No previous forecast version to compare against');
+                return;
+            }
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const comparison = await response.json();
+            this.previousForecastLabel = comparison.base.label;
+            comparison.rows.forEach(row => {
+                this.previousForecastData[`${row.drawing_number}-${row.month_date}`] = row.base;
+            });
+            console.log(`📈 Previous forecast "${this.previousForecastLabel}" loaded: ${comparison.rows.length} rows`);
+        } catch (error) {
+            console.error('❌ Error loading previous forecast version:', error);
+        }
+    }
+
     // Enhanced material stock data loading with localStorage fallback
     async loadMaterialStockData() {
         try {
@@ -306,20 +392,9 @@ class EDIDashboard {
                 }
             }
             
-            // Load detailed calculations from localStorage if available
-            try {
-                const savedCalculations = localStorage.getItem('stockCalculations');
-                if (savedCalculations) {
-                    this.stockCalculations = JSON.parse(savedCalculations);
-                    console.log('📦 FIXED: Loaded detailed stock calculations from localStorage');
-                }
-            } catch (calcError) {
-                console.warn('⚠️ FIXED: Could not load stock calculations:', calcError);
-            }
-            
             // Calculate stock consumption after loading
             if (stockDataLoaded) {
-                this.calculateMaterialStockConsumption();
+                await this.calculateMaterialStockConsumption();
             } else {
                 console.warn('⚠️ FIXED: No stock data available - charts will show all items as sufficient');
             }
@@ -332,239 +407,100 @@ class EDIDashboard {
         }
     }
 
-    // ✅ FIXED: Enhanced stock consumption calculation with proper forecast inclusion
+    // Stock consumption is projected on the server so every page gets identical answers
     async calculateMaterialStockConsumption() {
-        console.log('🧮 FIXED: Starting comprehensive stock consumption calculation with forecasts...');
-        
-        // Initialize if not exists
-        if (!this.stockCalculations) {
-            this.stockCalculations = {};
-        }
-        
-        Object.keys(this.productGroups).forEach(groupKey => {
-            const group = this.productGroups[groupKey];
-            const stockData = this.materialStocks[groupKey];
-            const currentStock = stockData ? (stockData.quantity || 0) : 0;
-            
-            console.log(`\n📦 FIXED: Calculating for ${group.name} with ${currentStock} initial stock`);
-            
-            if (currentStock <= 0) {
-                // No stock available, all items are insufficient
-                this.stockCalculations[groupKey] = {
-                    currentStock: 0,
-                    itemAvailability: {},
-                    groupName: group.name,
-                    allItemsInsufficient: true
-                };
-                console.log(`⚠️ FIXED: No stock for ${group.name} - all items will be insufficient`);
-                return;
+        try {
+            const response = await this.authUtils.makeAuthenticatedRequest('/api/stock-projection');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
             }
+
+            const { groups, forecastConsumption } = await response.json();
+            this.forecastConsumption = {};
+            (forecastConsumption || []).forEach(row => {
+                this.forecastConsumption[`${row.drawing_number}-${row.month_date}`] = row;
+            });
             
-            // ✅ FIXED: Get all items (orders + forecasts) for this group
-            const allItems = this.getAllItemsForGroupFixed(group.products);
-            
-            if (allItems.length === 0) {
-                console.log(`ℹ️ FIXED: No items found for ${group.name}`);
-                this.stockCalculations[groupKey] = {
-                    currentStock,
-                    itemAvailability: {},
-                    groupName: group.name,
-                    allItemsInsufficient: false
+            this.stockCalculations = {};
+            groups.forEach(projection => {
+                const itemAvailability = {};
+                projection.items.forEach(item => { itemAvailability[item.key] = item; });
+
+                this.stockCalculations[projection.groupKey] = {
+                    currentStock: projection.currentStock,
+                    finalStock: projection.finalStock,
+                    groupName: projection.groupName,
+                    items: projection.items,
+                    itemAvailability,
+                    allItemsInsufficient: projection.currentStock + projection.inbound <= 0
                 };
-                return;
-            }
-            
-            console.log(`📊 FIXED: Processing ${allItems.length} items for ${group.name}`);
-            
-            // ✅ Calculate running stock consumption with detailed tracking
-            let runningStock = currentStock;
-            const itemAvailability = {};
-            
-            allItems.forEach((item, index) => {
-                const beforeStock = runningStock;
-                runningStock -= item.quantity;
-                const afterStock = Math.max(0, runningStock);
-                
-                const sufficient = beforeStock >= item.quantity;
-                
-                // ✅ FIXED: Create unique key for this item with consistent format
-                let itemKey;
-                if (item.type === 'order') {
-                    itemKey = `order-${item.id}`;
-                } else if (item.type === 'forecast') {
-                    // ✅ CRITICAL: Use exact same format as in chart rendering
-                    itemKey = `forecast-${item.product}-${item.monthDate}`;
-                }
-                
-                if (itemKey) {
-                    itemAvailability[itemKey] = {
-                        ...item,
-                        beforeStock,
-                        afterStock,
-                        sufficient,
-                        shortfall: sufficient ? 0 : item.quantity - beforeStock
-                    };
-                    
-                    const typeIcon = item.type === 'order' ? '📋' : '📈';
-                    const statusIcon = sufficient ? '✅' : '❌';
-                    console.log(`📊 FIXED: ${typeIcon} ${itemKey}: ${beforeStock} → ${afterStock} ${statusIcon}`);
-                } else {
-                    console.log(`❌ FIXED: Could not create key for item:`, item);
-                }
             });
-            
-            this.stockCalculations[groupKey] = {
-                currentStock,
-                itemAvailability,
-                finalStock: Math.max(0, runningStock),
-                groupName: group.name,
-                allItemsInsufficient: false
-            };
-            
-            console.log(`✅ FIXED: ${group.name} calculation complete:`);
-            console.log(`   Initial stock: ${currentStock}`);
-            console.log(`   Final stock: ${Math.max(0, runningStock)}`);
-            console.log(`   Items processed: ${Object.keys(itemAvailability).length}`);
-        });
-        
-        console.log('✅ FIXED: All stock calculations completed:', this.stockCalculations);
-        
-        // Save calculations to localStorage for other pages
+
+            console.log('✅ Stock projection loaded:', this.stockCalculations);
+        } catch (error) {
+            console.error('❌ Error loading stock projection:', error);
+            this.stockCalculations = {};
+        }
+    }
+
+    // Safety stock and reorder point warnings, computed from the same projection
+    async loadStockAlerts() {
         try {
-            localStorage.setItem('dashboardStockCalculations', JSON.stringify(this.stockCalculations));
-            console.log('💾 FIXED: Stock calculations saved to localStorage');
+            const response = await this.authUtils.makeAuthenticatedRequest('/api/alerts');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const { alerts } = await response.json();
+            this.stockAlerts = alerts;
         } catch (error) {
-            console.warn('⚠️ FIXED: Could not save calculations to localStorage:', error);
+            console.error('❌ Error loading stock alerts:', error);
+            this.stockAlerts = [];
         }
+        this.renderStockAlerts();
     }
 
-    // ✅ FIXED: Enhanced method to get all items for a group with better forecast inclusion
-    getAllItemsForGroupFixed(products) {
-        const items = [];
-        
-        console.log(`🔍 FIXED: Getting all items for products:`, products);
-        
-        products.forEach(product => {
-            console.log(`\n📦 FIXED: Processing product ${product}...`);
-            
-            // ✅ CRITICAL: Add EDI orders - exclude "ok" status as they don't need stock
-            const allOrders = this.ediData.filter(order => order.drawing_number === product);
-            const nonOkOrders = allOrders.filter(order => 
-                !order.status || order.status.toLowerCase().trim() !== 'ok'
-            );
-            const okOrders = allOrders.filter(order => 
-                order.status && order.status.toLowerCase().trim() === 'ok'
-            );
-            
-            console.log(`📊 FIXED: Found ${allOrders.length} total orders for ${product}`);
-            console.log(`   ✅ OK orders (excluded from stock calc): ${okOrders.length}`);
-            console.log(`   ⚠️ Non-OK orders (included in stock calc): ${nonOkOrders.length}`);
-            
-            nonOkOrders.forEach(order => {
-                items.push({
-                    type: 'order',
-                    date: order.delivery_date,
-                    quantity: parseInt(order.quantity) || 0,
-                    product: product,
-                    orderNumber: order.order_number,
-                    status: order.status || '',
-                    id: order.id,
-                    priority: this.getOrderPriority(order.status)
-                });
-                console.log(`     📋 Added order: ${order.delivery_date} - ${order.quantity} pcs (${order.order_number})`);
-            });
-            
-            // ✅ FIXED: Add forecast data with enhanced debugging and proper date handling
-            console.log(`\n📈 FIXED: Checking forecasts for ${product}...`);
-            console.log(`📊 FIXED: Available forecast keys:`, Object.keys(this.forecastData));
-            
-            let forecastsFound = 0;
-            const currentYear = new Date().getFullYear();
-            
-            Object.keys(this.forecastData).forEach(key => {
-                if (key.startsWith(product + '-')) {
-                    const monthDate = key.split('-').slice(1).join('-'); // Get the MM/01 part
-                    const quantity = this.forecastData[key];
-                    
-                    console.log(`🔍 FIXED: Checking forecast key: ${key}`);
-                    console.log(`   Month Date: ${monthDate}`);
-                    console.log(`   Quantity: ${quantity} (type: ${typeof quantity})`);
-                    
-                    // ✅ Enhanced type checking and conversion
-                    let validQuantity = 0;
-                    if (quantity !== undefined && quantity !== null && quantity !== '') {
-                        validQuantity = typeof quantity === 'string' ? parseFloat(quantity) : quantity;
-                        if (isNaN(validQuantity)) {
-                            validQuantity = 0;
-                        }
-                    }
-                    
-                    if (validQuantity > 0) {
-                        // ✅ FIXED: Convert MM/01 to proper YYYY/MM/01 format for sorting
-                        const parts = monthDate.split('/');
-                        if (parts.length >= 2) {
-                            const month = parts[0];
-                            const day = parts[1] || '01';
-                            
-                            // Use current year for forecast dates
-                            const fullDate = `${currentYear}/${month.padStart(2, '0')}/${day.padStart(2, '0')}`;
-                            
-                            const forecastItem = {
-                                type: 'forecast',
-                                date: fullDate,
-                                quantity: validQuantity,
-                                product: product,
-                                monthDate: monthDate, // Keep original MM/01 format for stock key matching
-                                forecastKey: key,
-                                priority: 3 // Lower priority than orders for sorting
-                            };
-                            
-                            items.push(forecastItem);
-                            forecastsFound++;
-                            
-                            console.log(`✅ FIXED: Added forecast item:`);
-                            console.log(`   Original Key: ${key}`);
-                            console.log(`   Month Date: ${monthDate}`);
-                            console.log(`   Full Date: ${fullDate}`);
-                            console.log(`   Quantity: ${validQuantity}`);
-                            console.log(`   Type: forecast`);
-                        } else {
-                            console.log(`❌ FIXED: Invalid month date format: ${monthDate}`);
-                        }
-                    } else {
-                        console.log(`⚠️ FIXED: Skipped forecast ${key} - invalid quantity: ${quantity}`);
-                    }
-                }
-            });
-            
-            console.log(`📊 FIXED: Found ${forecastsFound} valid forecasts for ${product}`);
-        });
-        
-        // ✅ Sort chronologically by date (orders and forecasts together)
-        items.sort((a, b) => {
-            const dateA = this.parseDate(a.date);
-            const dateB = this.parseDate(b.date);
-            
-            // If dates are equal, prioritize by type (orders before forecasts)
-            if (dateA.getTime() === dateB.getTime()) {
-                return a.priority - b.priority;
+    async loadRecordedLots() {
+        try {
+            const response = await this.authUtils.makeAuthenticatedRequest('/api/lot-allocations?basis=recorded');
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
             }
-            
-            return dateA - dateB;
-        });
-        
-        console.log(`\n📦 FIXED: Final item list for stock calculation:`);
-        console.log(`   Total items: ${items.length}`);
-        console.log(`   Orders: ${items.filter(i => i.type === 'order').length}`);
-        console.log(`   Forecasts: ${items.filter(i => i.type === 'forecast').length}`);
-        
-        // Enhanced logging of chronological order
-        items.forEach((item, index) => {
-            const typeIcon = item.type === 'order' ? '📋' : '📈';
-            console.log(`   ${index + 1}. ${typeIcon} ${item.date}: ${item.quantity} pcs (${item.product})`);
-        });
-        
-        return items;
+
+            const rows = await response.json();
+            this.recordedLots = {};
+            rows.forEach(row => {
+                (this.recordedLots[row.order_id] = this.recordedLots[row.order_id] || []).push(row);
+            });
+        } catch (error) {
+            console.error('❌ Error loading recorded lots:', error);
+            this.recordedLots = {};
+        }
+    }
+
+    renderStockAlerts() {
+        const panel = document.getElementById('stockAlerts');
+        if (!panel) return;
+
+        if (this.stockAlerts.length === 0) {
+            panel.style.display = 'none';
+            panel.innerHTML = '';
+            return;
+        }
+
+        panel.style.display = 'block';
+        panel.innerHTML = `
+            <h4>🚨 Stock Warnings (${this.stockAlerts.length})</h4>
+            <ul>
+                ${this.stockAlerts.map(alert => `
+                    <li class="stock-alert ${escapeHtml(alert.severity)}">
+                        <strong>${alert.type === 'safety-stock' ? '🛑 Safety stock' : '🔁 Reorder point'} - ${escapeHtml(alert.groupName)}:</strong>
+                        ${escapeHtml(alert.message)}
+                    </li>
+                `).join('')}
+            </ul>
+            <a href="/stock" class="stock-alert-link">📦 Open stock management</a>
+        `;
     }
 
     // Get order priority for stacking (0 = bottom/first, higher = top/last)
@@ -578,34 +514,10 @@ class EDIDashboard {
         }
     }
 
-    // Enhanced stock sufficiency check with better fallback logic and forecast support
+    // Enhanced stock sufficiency check with better fallback logic and forecast support.
+    // A piece can only be made when every material group consuming it has stock for it.
     isItemStockSufficient(drawingNumber, item) {
         try {
-            // Find which group this product belongs to
-            let groupKey = null;
-            Object.keys(this.productGroups).forEach(key => {
-                if (this.productGroups[key].products.includes(drawingNumber)) {
-                    groupKey = key;
-                }
-            });
-            
-            if (!groupKey) {
-                console.warn(`⚠️ FIXED: Product ${drawingNumber} not found in any group`);
-                return true; // Default to sufficient if product not found
-            }
-            
-            const calculations = this.stockCalculations[groupKey];
-            if (!calculations) {
-                console.warn(`⚠️ FIXED: No calculations found for group ${groupKey}`);
-                return true; // Default to sufficient if no calculations
-            }
-            
-            // If no stock at all, everything is insufficient
-            if (calculations.allItemsInsufficient || calculations.currentStock <= 0) {
-                console.log(`🔴 FIXED: No stock available for ${groupKey} - marking as insufficient`);
-                return false;
-            }
-            
             // Create item key based on type
             let itemKey;
             if (item.type === 'order') {
@@ -622,15 +534,16 @@ class EDIDashboard {
                 itemKey = `forecast-${drawingNumber}-${item.monthDate}`;
             }
             
-            if (itemKey && calculations.itemAvailability[itemKey]) {
-                const result = calculations.itemAvailability[itemKey].sufficient;
-                console.log(`🔍 FIXED: Stock check for ${itemKey}: ${result ? 'SUFFICIENT ✓' : 'INSUFFICIENT ✗'}`);
-                return result;
+            const projected = Object.values(this.stockCalculations)
+                .map(calculations => calculations.itemAvailability && calculations.itemAvailability[itemKey])
+                .filter(Boolean);
+            
+            if (!itemKey || projected.length === 0) {
+                console.warn(`⚠️ FIXED: Item key ${itemKey} not found in stock projection`);
+                return true; // Default to sufficient if not found
             }
             
-            console.warn(`⚠️ FIXED: Item key ${itemKey} not found in availability calculations for ${groupKey}`);
-            console.log(`FIXED: Available keys:`, Object.keys(calculations.itemAvailability || {}));
-            return true; // Default to sufficient if not found
+            return projected.every(projectedItem => projectedItem.sufficient);
             
         } catch (error) {
             console.error('❌ FIXED: Error checking stock sufficiency:', error);
@@ -639,7 +552,7 @@ class EDIDashboard {
     }
 
     async importData() {
-        if (!this.userPermissions.canEdit) {
+        if (!this.hasPermission('import.edi')) {
             this.showMessage('You do not have permission to import data', 'error');
             return;
         }
@@ -654,12 +567,30 @@ class EDIDashboard {
 
         const formData = new FormData();
         formData.append('ediFile', file);
+        
+        // Optional explicit encoding override (auto-detected on the server by default)
+        const encodingSelect = document.getElementById('encodingSelect');
+        formData.append('encoding', encodingSelect ? encodingSelect.value : 'auto');
+        
+        // Column mapping profile ('auto' detects it from the header row)
+        const profileSelect = document.getElementById('profileSelect');
+        formData.append('profileId', profileSelect ? profileSelect.value : 'auto');
+        
+        // Full snapshot: orders missing from the file are proposed for cancellation
+        const snapshotCheckbox = document.getElementById('snapshotCheckbox');
+        formData.append('snapshot', snapshotCheckbox && snapshotCheckbox.checked ? 'true' : 'false');
+        
+        // Excel workbooks: optional sheet name or number (first sheet by default)
+        const sheetInput = document.getElementById('sheetInput');
+        if (sheetInput && sheetInput.value.trim()) {
+            formData.append('sheet', sheetInput.value.trim());
+        }
 
         try {
             this.showLoading(true);
             
-            // FIXED: Use authenticated request
-            const response = await this.authUtils.makeAuthenticatedRequest('/api/import-edi', {
+            // Dry run first - nothing is written until the admin confirms the preview
+            const response = await this.authUtils.makeAuthenticatedRequest('/api/import-edi/preview', {
                 method: 'POST',
                 body: formData
             });
@@ -667,11 +598,186 @@ class EDIDashboard {
             const result = await response.json();
 
             if (result.success) {
-                this.showMessage(result.message, 'success');
+                this.importPreview = result;
+                this.renderImportPreview(result);
+            } else {
+                this.showMessage(result.error || 'Import preview failed', 'error');
+            }
+        } catch (error) {
+            console.error('❌ Import preview error:', error);
+            
+            if (error.message.includes('Authentication required') || error.message.includes('Session expired')) {
+                this.showMessage('Session expired. Please log in again.', 'error');
+            } else if (error.message.includes('403')) {
+                this.showMessage('You do not have permission to import data', 'error');
+            } else {
+                this.showMessage('Import failed: ' + error.message, 'error');
+            }
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    // Populate the mapping profile selector (admin only - profiles are managed on /admin)
+    async loadMappingProfiles() {
+        const profileSelect = document.getElementById('profileSelect');
+        if (!profileSelect || !this.hasPermission('import.edi')) return;
+
+        try {
+            const response = await this.authUtils.makeAuthenticatedRequest('/api/mapping-profiles');
+            if (!response.ok) return;
+
+            const { profiles } = await response.json();
+            profileSelect.innerHTML = '<option value="auto">🗂️ Auto-detect mapping</option>' +
+                profiles.map(profile => `<option value="${escapeHtml(profile.id)}">🗂️ ${escapeHtml(profile.name)}</option>`).join('');
+        } catch (error) {
+            console.warn('⚠️ Could not load mapping profiles:', error);
+        }
+    }
+
+    // ============ IMPORT PREVIEW ============
+    renderImportPreview(preview) {
+        const container = document.getElementById('importPreview');
+        if (!container) return;
+
+        const labels = {
+            new: '🆕 New',
+            unchanged: '➖ Unchanged',
+            changed: '✏️ Changed',
+            invalid: '❌ Invalid'
+        };
+        const fieldLabels = { quantity: 'Qty', deliveryDate: 'Delivery', productName: 'Product' };
+        const { summary } = preview;
+
+        container.innerHTML = `
+            <div class="import-preview-header">
+                <h3>
+                    🔍 Import Preview: ${escapeHtml(preview.fileName)}
+                    <small>(${preview.profile ? `mapping: ${escapeHtml(preview.profile.name)}` : 'fixed WebEDI columns'})</small>
+                </h3>
+                <div class="import-preview-summary">
+                    <span class="preview-badge new">${summary.new} new</span>
+                    <span class="preview-badge changed">${summary.changed} changed</span>
+                    <span class="preview-badge unchanged">${summary.unchanged} unchanged</span>
+                    <span class="preview-badge invalid">${summary.invalid} invalid</span>
+                    ${preview.snapshot ? `<span class="preview-badge cancelled">${summary.cancelled} to cancel</span>` : ''}
+                </div>
+            </div>
+            <div class="table-container import-preview-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            <th>注文番号<br><small>Order Number</small></th>
+                            <th>図番<br><small>Drawing Number</small></th>
+                            <th>品名<br><small>Product Name</small></th>
+                            <th>注文数量<br><small>Quantity</small></th>
+                            <th>納期<br><small>Delivery Date</small></th>
+                            <th>Result</th>
+                            <th>Details</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${preview.rows.map(row => `
+                            <tr class="preview-row ${row.classification}">
+                                <td>${row.rowNumber}</td>
+                                <td><strong>${escapeHtml(row.orderNumber)}</strong></td>
+                                <td>${escapeHtml(row.drawingNumber)}</td>
+                                <td>${escapeHtml(row.productName)}</td>
+                                <td>${escapeHtml(row.quantity || '')}</td>
+                                <td>${escapeHtml(row.deliveryDate)}</td>
+                                <td>${labels[row.classification]}</td>
+                                <td>${row.reason ? escapeHtml(row.reason) : row.changes.map(c => c.field === 'cancelled' ?
+                                    '♻️ Reinstated (was cancelled)' :
+                                    `${fieldLabels[c.field]}: ${escapeHtml(c.from)} → ${escapeHtml(c.to)}`).join('<br>')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${preview.cancellations.length > 0 ? `
+                <h4 class="import-preview-subtitle">🚫 Missing from snapshot - will be cancelled</h4>
+                <div class="table-container import-preview-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>注文番号<br><small>Order Number</small></th>
+                                <th>図番<br><small>Drawing Number</small></th>
+                                <th>品名<br><small>Product Name</small></th>
+                                <th>注文数量<br><small>Quantity</small></th>
+                                <th>納期<br><small>Delivery Date</small></th>
+                                <th>Status<br><small>Comments</small></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${preview.cancellations.map(order => `
+                                <tr class="preview-row cancelled">
+                                    <td><strong>${escapeHtml(order.orderNumber)}</strong></td>
+                                    <td>${escapeHtml(order.drawingNumber)}</td>
+                                    <td>${escapeHtml(order.productName)}</td>
+                                    <td>${escapeHtml(order.quantity)}</td>
+                                    <td>${escapeHtml(order.deliveryDate)}</td>
+                                    <td>${escapeHtml(order.status)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            ` : ''}
+            <div class="import-preview-actions">
+                <small>This preview expires at ${new Date(preview.expiresAt).toLocaleTimeString()}.</small>
+                <label class="import-preview-policy">
+                    <input type="checkbox" id="importUpdateChanged" ${summary.changed > 0 ? 'checked' : 'disabled'}>
+                    Update ${summary.changed} changed orders (status comments are kept)
+                </label>
+                ${preview.snapshot ? `
+                    <label class="import-preview-policy">
+                        <input type="checkbox" id="importCancelMissing" ${summary.cancelled > 0 ? 'checked' : 'disabled'}>
+                        Cancel ${summary.cancelled} missing orders
+                    </label>
+                ` : ''}
+                <button class="btn btn-secondary" onclick="ediDashboard.cancelImport()">✖ Cancel</button>
+                <button class="btn btn-primary" onclick="ediDashboard.confirmImport()" ${summary.new + summary.changed + summary.cancelled === 0 ? 'disabled' : ''}>
+                    ✅ Confirm Import
+                </button>
+            </div>
+        `;
+        container.style.display = 'block';
+        container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    async confirmImport() {
+        if (!this.importPreview) return;
+
+        const updateChanged = document.getElementById('importUpdateChanged');
+        const policy = updateChanged && updateChanged.checked ? 'update' : 'skip';
+        const cancelMissingCheckbox = document.getElementById('importCancelMissing');
+        const cancelMissing = !!(cancelMissingCheckbox && cancelMissingCheckbox.checked);
+
+        try {
+            this.showLoading(true);
+
+            const response = await this.authUtils.makeAuthenticatedRequest('/api/import-edi/commit', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ token: this.importPreview.token, policy, cancelMissing })
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                const updatedOrders = result.details.updatedOrders || [];
+                const updatedList = updatedOrders.length > 0 ?
+                    ` - Updated: ${updatedOrders.map(o => o.orderNumber).join(', ')}` : '';
+                this.showMessage(result.message + updatedList, 'success');
+                this.cancelImport();
                 await this.loadData(); // Reload data after import
                 
                 // Reset file input
-                fileInput.value = '';
+                const fileInput = document.getElementById('fileInput');
+                if (fileInput) fileInput.value = '';
                 const importBtn = document.getElementById('importBtn');
                 if (importBtn) {
                     importBtn.disabled = true;
@@ -681,22 +787,24 @@ class EDIDashboard {
                 this.showMessage(result.error || 'Import failed', 'error');
             }
         } catch (error) {
-            console.error('❌ FIXED: Import error:', error);
-            
-            if (error.message.includes('Authentication required') || error.message.includes('Session expired')) {
-                this.showMessage('Session expired. Please log in again.', 'error');
-            } else if (error.message.includes('403')) {
-                this.showMessage('You do not have permission to import data', 'error');
-            } else {
-                this.showMessage('Import failed: ' + error.message, 'error');
-            }
+            console.error('❌ Import commit error:', error);
+            this.showMessage('Import failed: ' + error.message, 'error');
         } finally {
             this.showLoading(false);
         }
     }
 
+    cancelImport() {
+        this.importPreview = null;
+        const container = document.getElementById('importPreview');
+        if (container) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+        }
+    }
+
     async saveStatus(orderId) {
-        if (!this.userPermissions.canEdit) {
+        if (!this.hasPermission('orders.status.write')) {
             this.showMessage('You do not have permission to save changes', 'error');
             return;
         }
@@ -719,10 +827,19 @@ class EDIDashboard {
             if (result.success) {
                 this.showMessage('Status updated successfully', 'success');
                 
-                // Update local data
+                // Update local data with the value the server stored (trimmed)
                 const order = this.ediData.find(o => o.id == orderId);
+                const wasDone = order ? this.isOrderDone(order.status) : false;
                 if (order) {
-                    order.status = status;
+                    order.status = result.status;
+                }
+                input.value = result.status;
+
+                // Marking an order ok records its lots and takes it out of the projection
+                // (reopening puts it back), so the lot column and stock need a reload
+                if (order && wasDone !== this.isOrderDone(result.status)) {
+                    await this.loadData();
+                    return;
                 }
                 
                 // Update all product charts to reflect new status colors
@@ -744,8 +861,33 @@ class EDIDashboard {
         }
     }
 
+    async restoreOrder(orderId) {
+        if (!this.hasPermission('import.edi')) {
+            this.showMessage('You do not have permission to restore orders', 'error');
+            return;
+        }
+
+        try {
+            const response = await this.authUtils.makeAuthenticatedRequest(`/api/edi-data/${orderId}/restore`, {
+                method: 'POST'
+            });
+
+            const result = await response.json();
+
+            if (result.success) {
+                this.showMessage('Order restored', 'success');
+                await this.loadData(); // Restored orders count toward stock again
+            } else {
+                this.showMessage(result.error || 'Failed to restore order', 'error');
+            }
+        } catch (error) {
+            console.error('❌ Restore order error:', error);
+            this.showMessage('Failed to restore order: ' + error.message, 'error');
+        }
+    }
+
     async saveAllChanges() {
-        if (!this.userPermissions.canEdit) {
+        if (!this.hasPermission('orders.status.write')) {
             this.showMessage('You do not have permission to save changes', 'error');
             return;
         }
@@ -770,14 +912,17 @@ class EDIDashboard {
                     body: JSON.stringify({ status })
                 });
 
-                if (response.ok) {
+                const result = await response.json();
+
+                if (result.success) {
                     updated++;
                     // Update local data
                     const order = this.ediData.find(o => o.id == orderId);
                     if (order) {
-                        order.status = status;
+                        order.status = result.status;
                     }
                 } else {
+                    console.error(`❌ Order ${orderId}: ${result.error}`);
                     errors++;
                 }
             } catch (error) {
@@ -998,7 +1143,7 @@ class EDIDashboard {
         svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
         
         // Calculate scales
-        const maxQuantity = Math.max(...combinedData.map(d => d.quantity));
+        const maxQuantity = Math.max(...combinedData.map(d => Math.max(d.quantity, d.previousQuantity || 0)));
         
         // Calculate bar positioning
         const totalBars = combinedData.length;
@@ -1182,10 +1327,29 @@ class EDIDashboard {
                 }
                 
                 const stockText = hasStock ? ' [STOCK AVAILABLE ✓]' : ' [INSUFFICIENT STOCK ❌]';
-                const tooltipText = `Forecast: ${d.displayDate}\nQuantity: ${d.quantity}${stockText}`;
+                const previousText = d.previousQuantity !== null && d.previousQuantity !== undefined ?
+                    `\nPrevious (${this.previousForecastLabel}): ${d.previousQuantity}` : '';
+                const consumedText = d.consumedQuantity > 0 ?
+                    `\nForecast ${d.forecastQuantity}, consumed by orders ${d.consumedQuantity}` : '';
+                const tooltipText = `Forecast: ${d.displayDate}\nQuantity: ${d.quantity}${consumedText}${stockText}${previousText}`;
                 rect.setAttribute('title', tooltipText);
                 svg.appendChild(rect);
                 
+                // Previous forecast version: purple dashed marker at its quantity
+                if (d.previousQuantity !== null && d.previousQuantity !== undefined) {
+                    const previousY = barBottom - (d.previousQuantity / maxQuantity) * chartHeight;
+                    const previousMarker = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+                    previousMarker.setAttribute('x1', x - 4);
+                    previousMarker.setAttribute('x2', x + barWidth + 4);
+                    previousMarker.setAttribute('y1', previousY);
+                    previousMarker.setAttribute('y2', previousY);
+                    previousMarker.setAttribute('stroke', '#7c3aed');
+                    previousMarker.setAttribute('stroke-width', '3');
+                    previousMarker.setAttribute('stroke-dasharray', '4,2');
+                    previousMarker.setAttribute('title', `Previous (${this.previousForecastLabel}): ${d.previousQuantity}`);
+                    svg.appendChild(previousMarker);
+                }
+                
                 // Add forecast label with clear stock status indication
                 const forecastLabel = document.createElementNS('http://www.w3.org/2000/svg', 'text');
                 forecastLabel.setAttribute('class', 'chart-text');
@@ -1283,9 +1447,12 @@ class EDIDashboard {
             { color: '#9ca3af', label: 'Forecast (Solid=Stock OK)', solid: true },
             { color: '#dc2626', label: 'Insufficient Stock (Dashed)', outline: true, warning: true }
         ];
+        if (this.previousForecastLabel) {
+            legendItems.push({ color: '#7c3aed', label: 'Previous Forecast (Marker)', solid: true });
+        }
         
         legendItems.forEach((item, index) => {
-            const legendX = width - margin.right - 350 + (index * 70);
+            const legendX = width - margin.right - legendItems.length * 70 + (index * 70);
             
             const legendRect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
             legendRect.setAttribute('x', legendX);
@@ -1354,6 +1521,9 @@ class EDIDashboard {
                 displayDate: forecast.displayDate,
                 quantity: forecast.quantity,
                 monthDate: forecast.monthDate, // Add monthDate for stock calculations
+                previousQuantity: forecast.previousQuantity,
+                forecastQuantity: forecast.forecastQuantity,
+                consumedQuantity: forecast.consumedQuantity,
                 sortDate: this.parseDate(forecast.fullDate)
             });
         });
@@ -1388,8 +1558,8 @@ class EDIDashboard {
             const month = date.getMonth() + 1;
             const year = date.getFullYear();
             
-            // Use consistent MM/01 format (matching forecast.html saving format)
-            const monthKey = `${String(month).padStart(2, '0')}/01`;
+            // Use year-qualified YYYY/MM/01 format (matching forecast.html saving format)
+            const monthKey = `${year}/${String(month).padStart(2, '0')}/01`;
             const forecastKey = `${drawingNumber}-${monthKey}`;
             
             console.log(`📊 FIXED: Checking forecast key: ${forecastKey}`);
@@ -1406,6 +1576,13 @@ class EDIDashboard {
                 continue;
             }
             
+            // Only the part not yet consumed by firm orders is still demand
+            const consumption = this.forecastConsumption[forecastKey];
+            const fullForecast = forecastValue;
+            if (consumption) {
+                forecastValue = consumption.remaining;
+            }
+            
             // Only add if value is a positive number
             if (!isNaN(forecastValue) && forecastValue > 0) {
                 // Format display date
@@ -1416,9 +1593,12 @@ class EDIDashboard {
                 if (!existingDates.has(fullDate)) {
                     const forecastBar = {
                         quantity: forecastValue,
+                        forecastQuantity: fullForecast,
+                        consumedQuantity: consumption ? consumption.consumed : 0,
                         displayDate: displayDate,
                         fullDate: fullDate,
                         monthDate: monthKey, // Keep monthDate for stock calculations
+                        previousQuantity: this.previousForecastLabel ? (this.previousForecastData[forecastKey] || 0) : null,
                         month: month,
                         year: year
                     };
@@ -1490,8 +1670,7 @@ class EDIDashboard {
         });
         
         // Focus on specific product if provided
-        const productsToDebug = drawingNumber ? [drawingNumber] : 
-            ['PP4166-4681P003', 'PP4166-4726P003', 'PP4166-4731P002', 'PP4166-7106P001'];
+        const productsToDebug = drawingNumber ? [drawingNumber] : this.DRAWING_NUMBER_ORDER;
         
         productsToDebug.forEach(product => {
             console.log(`\n🔍 DETAILED ANALYSIS FOR ${product}:`);
@@ -1550,7 +1729,7 @@ class EDIDashboard {
             const productForecasts = [];
             Object.keys(this.forecastData).forEach(key => {
                 if (key.startsWith(product + '-')) {
-                    const monthDate = key.split('-').slice(1).join('-');
+                    const monthDate = key.substring(product.length + 1);
                     const quantity = this.forecastData[key];
                     if (quantity > 0) {
                         productForecasts.push({ key, monthDate, quantity });
@@ -1564,32 +1743,25 @@ class EDIDashboard {
                 console.log(`       ${forecast.monthDate}: ${forecast.quantity} pcs (key: ${forecast.key})`);
             });
             
-            // Show combined timeline with stock consumption
+            // Show combined timeline with stock consumption (from the server projection)
             console.log(`\n   🧮 STOCK CONSUMPTION TIMELINE:`);
-            const items = this.getAllItemsForGroupFixed([product]);
-            const groupStock = currentStock;
-            let runningStock = groupStock;
-            
-            console.log(`     Starting stock: ${runningStock} pieces`);
-            
-            items.forEach((item, index) => {
-                const beforeStock = runningStock;
-                runningStock -= item.quantity;
-                const afterStock = Math.max(0, runningStock);
-                const sufficient = beforeStock >= item.quantity;
+            Object.values(this.stockCalculations).forEach(calculations => {
+                const items = (calculations.items || []).filter(item => item.product === product);
+                if (items.length === 0) return;
                 
-                const typeIcon = item.type === 'order' ? '📋' : '📈';
-                const statusIcon = sufficient ? '✅' : '❌';
-                const extraInfo = item.type === 'order' ? 
-                    ` (${item.orderNumber}, status: "${item.status}")` : 
-                    ` (forecast)`;
-                
-                console.log(`     ${index + 1}. ${typeIcon} ${item.date}: -${item.quantity} pcs${extraInfo}`);
-                console.log(`        Stock: ${beforeStock} → ${afterStock} ${statusIcon} ${sufficient ? 'SUFFICIENT' : 'INSUFFICIENT'}`);
+                console.log(`     ${calculations.groupName} - starting stock: ${calculations.currentStock}`);
+                items.forEach((item, index) => {
+                    const typeIcon = item.type === 'order' ? '📋' : '📈';
+                    const statusIcon = item.sufficient ? '✅' : '❌';
+                    const extraInfo = item.type === 'order' ? 
+                        ` (${item.orderNumber}, status: "${item.status}")` : 
+                        ` (forecast)`;
+                    
+                    console.log(`     ${index + 1}. ${typeIcon} ${item.date}: -${item.quantity} (${item.pieces} pcs)${extraInfo}`);
+                    console.log(`        Stock: ${item.beforeStock} → ${item.afterStock} ${statusIcon} ${item.sufficient ? 'SUFFICIENT' : 'INSUFFICIENT'}`);
+                });
             });
             
-            console.log(`     Final stock: ${Math.max(0, runningStock)} pieces`);
-            
             // Show how this maps to chart rendering
             console.log(`\n   🎨 CHART RENDERING LOGIC:`);
             
@@ -1619,7 +1791,7 @@ class EDIDashboard {
                     const forecastItem = {
                         type: 'forecast',
                         monthDate: forecast.monthDate,
-                        date: `2024/${forecast.monthDate.replace('/01', '/01')}`
+                        date: forecast.monthDate
                     };
                     const hasStock = this.isItemStockSufficient(product, forecastItem);
                     const renderStyle = hasStock ? 'SOLID GRAY' : 'DASHED RED';
@@ -1637,7 +1809,7 @@ class EDIDashboard {
         
         const now = new Date();
         const currentMonth = String(now.getMonth() + 1).padStart(2, '0');
-        const currentKey = `${currentMonth}/01`;
+        const currentKey = `${now.getFullYear()}/${currentMonth}/01`;
         
         console.log(`🔍 FIXED: Current month key format: ${currentKey}`);
         
@@ -1666,19 +1838,20 @@ class EDIDashboard {
         
         // Show all available keys and their formats
         Object.keys(this.forecastData).forEach(key => {
-            const parts = key.split('-');
-            const drawingNumber = parts[0];
-            const dateKey = parts.slice(1).join('-');
+            const lastDashIndex = key.lastIndexOf('-');
+            const drawingNumber = key.substring(0, lastDashIndex);
+            const dateKey = key.substring(lastDashIndex + 1);
             console.log(`🔍 FIXED: Key: ${key} | Drawing: ${drawingNumber} | Date: ${dateKey} | Value: ${this.forecastData[key]}`);
         });
         
         // Show expected format for current month
         const now = new Date();
-        const expectedFormat = `${String(now.getMonth() + 1).padStart(2, '0')}/01`;
+        const expectedFormat = `${now.getFullYear()}/${String(now.getMonth() + 1).padStart(2, '0')}/01`;
         console.log(`🔍 FIXED: Expected current month format: ${expectedFormat}`);
         
         // Test format variations
         const testFormats = [
+            `${now.getFullYear()}/${String(now.getMonth() + 1).padStart(2, '0')}/01`,
             `${now.getMonth() + 1}/01`,
             `${String(now.getMonth() + 1).padStart(2, '0')}/01`,
             `${String(now.getMonth() + 1).padStart(2, '0')}/1`,
@@ -1810,18 +1983,21 @@ class EDIDashboard {
         const container = document.getElementById('dataContainer');
         const recordCount = document.getElementById('recordCount');
         
+        const cancelledCount = this.allOrders.length - this.ediData.length;
         if (recordCount) {
-            recordCount.textContent = `${this.ediData.length} records`;
+            recordCount.textContent = cancelledCount > 0 ?
+                `${this.ediData.length} records (${cancelledCount} cancelled)` :
+                `${this.ediData.length} records`;
         }
 
         if (!container) return;
 
-        if (this.ediData.length === 0) {
-            const emptyMessage = this.userPermissions.canEdit ? 
+        if (this.allOrders.length === 0) {
+            const emptyMessage = this.hasPermission('import.edi') ? 
                 'Import an EDI file to get started.' : 
                 'No EDI data available. Contact admin to import data.';
             
-            const steps = this.userPermissions.canEdit ? `
+            const steps = this.hasPermission('import.edi') ? `
                 <div class="steps">
                     <h4>Get started in 2 simple steps:</h4>
                     <div class="step">
@@ -1857,24 +2033,39 @@ class EDIDashboard {
                             <th>注文数量<br><small>Quantity</small></th>
                             <th>納期<br><small>Delivery Date</small></th>
                             <th>Status<br><small>Comments</small></th>
+                            <th>材料ロット<br><small>Material Lots</small></th>
                         </tr>
                     </thead>
                     <tbody>
-                        ${this.ediData.map(order => `
+                        ${this.allOrders.map(order => order.cancelled_at ? `
+                            <tr class="cancelled-row" title="Cancelled ${new Date(order.cancelled_at).toLocaleString()} - missing from WebEDI snapshot">
+                                <td><strong>${escapeHtml(order.order_number)}</strong> <span class="cancelled-badge">Cancelled</span></td>
+                                <td><strong>${escapeHtml(order.drawing_number)}</strong></td>
+                                <td>${escapeHtml(order.product_name)}</td>
+                                <td>${escapeHtml(order.quantity)}</td>
+                                <td>${escapeHtml(order.delivery_date)}</td>
+                                <td>
+                                    ${escapeHtml(order.status)}
+                                    ${this.hasPermission('import.edi') ? `<button class="save-btn" onclick="ediDashboard.restoreOrder(${order.id})">Restore</button>` : ''}
+                                </td>
+                                <td></td>
+                            </tr>
+                        ` : `
                             <tr>
-                                <td><strong>${order.order_number || ''}</strong></td>
-                                <td><strong>${order.drawing_number || ''}</strong></td>
-                                <td>${order.product_name || ''}</td>
-                                <td>${order.quantity || ''}</td>
-                                <td>${order.delivery_date || ''}</td>
+                                <td><strong>${escapeHtml(order.order_number)}</strong></td>
+                                <td><strong>${escapeHtml(order.drawing_number)}</strong></td>
+                                <td>${escapeHtml(order.product_name)}</td>
+                                <td>${escapeHtml(order.quantity)}</td>
+                                <td>${escapeHtml(order.delivery_date)}</td>
                                 <td>
-                                    <input type="text" class="status-input" 
-                                           value="${order.status || ''}" 
+                                    <input type="text" class="status-input" maxlength="200"
+                                           value="${escapeHtml(order.status)}" 
                                            data-order-id="${order.id}"
-                                           placeholder="${this.userPermissions.canEdit ? 'Add comments...' : 'Read only'}"
-                                           ${!this.userPermissions.canEdit ? 'disabled' : ''}>
-                                    ${this.userPermissions.canEdit ? `<button class="save-btn" onclick="ediDashboard.saveStatus(${order.id})">Save</button>` : ''}
+                                           placeholder="${this.hasPermission('orders.status.write') ? 'Add comments...' : 'Read only'}"
+                                           ${!this.hasPermission('orders.status.write') ? 'disabled' : ''}>
+                                    ${this.hasPermission('orders.status.write') ? `<button class="save-btn" onclick="ediDashboard.saveStatus(${order.id})">Save</button>` : ''}
                                 </td>
+                                <td class="lot-cell">${this.renderLotAllocation(order)}</td>
                             </tr>
                         `).join('')}
                     </tbody>
@@ -1885,6 +2076,217 @@ class EDIDashboard {
         container.innerHTML = tableHTML;
     }
 
+    isOrderDone(status) {
+        return (status || '').toLowerCase().trim() === 'ok';
+    }
+
+    // Lots an order uses, per material group: the record kept when it was marked ok,
+    // otherwise (open orders) what the stock projection currently draws for it
+    renderLotAllocation(order) {
+        const formatLot = lot => lot.lotNumber ?
+            `🏷️ ${escapeHtml(lot.lotNumber)} ×${lot.quantity}` :
+            `<span class="lot-pending">${lot.poNumber ? `🚚 PO ${escapeHtml(lot.poNumber)}` : 'unlotted'} ×${lot.quantity}</span>`;
+
+        if (this.isOrderDone(order.status)) {
+            const byGroup = {};
+            (this.recordedLots[order.id] || []).forEach(row => {
+                const lots = byGroup[row.group_name || row.group_key] = byGroup[row.group_name || row.group_key] || [];
+                lots.push(row.source === 'shortfall' ?
+                    `<span class="lot-short">short ×${row.quantity}</span>` :
+                    formatLot({ lotNumber: row.lot_number, poNumber: row.po_number, quantity: row.quantity }));
+            });
+            return Object.entries(byGroup)
+                .map(([name, lots]) => `<div title="Recorded when marked ok"><small>📌 ${escapeHtml(name)}:</small> ${lots.join(', ')}</div>`)
+                .join('');
+        }
+
+        const groups = Object.values(this.stockCalculations)
+            .map(calculations => ({
+                name: calculations.groupName,
+                item: calculations.itemAvailability && calculations.itemAvailability[`order-${order.id}`]
+            }))
+            .filter(group => group.item);
+
+        if (groups.length === 0) return '';
+
+        return groups.map(({ name, item }) => {
+            const lots = item.lots.map(formatLot);
+            if (item.shortfall > 0) {
+                lots.push(`<span class="lot-short">short ×${item.shortfall}</span>`);
+            }
+            return `<div><small>${escapeHtml(name)}:</small> ${lots.join(', ')}</div>`;
+        }).join('');
+    }
+
+    async exportLotAllocations() {
+        try {
+            const response = await this.authUtils.makeAuthenticatedRequest('/api/lot-allocations?format=csv');
+            if (!response.ok) {
+                throw new Error(`Export failed: ${response.status}`);
+            }
+
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `Lot_Allocations_${new Date().toISOString().split('T')[0]}.csv`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('❌ Lot allocation export error:', error);
+            this.showMessage('Lot allocation export failed: ' + error.message, 'error');
+        }
+    }
+
+    // ============ LOGIN HISTORY ============
+    showLoginHistory() {
+        const container = document.getElementById('loginHistoryPanel');
+        if (!container) return;
+
+        if (container.style.display !== 'none') {
+            this.closeLoginHistory();
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="login-history-header">
+                <h3>📋 Login History</h3>
+                <button class="btn btn-secondary" onclick="ediDashboard.closeLoginHistory()">✖ Close</button>
+            </div>
+            <div class="login-history-filters">
+                <input type="text" class="import-select" id="auditUser" placeholder="Username" size="14">
+                <select class="import-select" id="auditAction">
+                    <option value="">All actions</option>
+                    <option value="LOGIN">LOGIN</option>
+                    <option value="LOGOUT">LOGOUT</option>
+                    <option value="LOGIN_FAILED">LOGIN_FAILED</option>
+                    <option value="LOGIN_BLOCKED">LOGIN_BLOCKED</option>
+                    <option value="LOCKOUT">LOCKOUT</option>
+                    <option value="UNLOCK">UNLOCK</option>
+                </select>
+                <label class="import-option">From <input type="date" class="import-select" id="auditFrom"></label>
+                <label class="import-option">To <input type="date" class="import-select" id="auditTo"></label>
+                <button class="btn btn-primary" onclick="ediDashboard.loadLoginHistory(1)">🔍 Filter</button>
+                <button class="btn btn-success" onclick="ediDashboard.exportLoginHistory()">📊 Export CSV</button>
+            </div>
+            <div id="loginHistoryResults"><p>Loading...</p></div>
+        `;
+        container.style.display = 'block';
+        this.loadLoginHistory(1);
+    }
+
+    closeLoginHistory() {
+        const container = document.getElementById('loginHistoryPanel');
+        if (container) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+        }
+    }
+
+    // Filter values from the panel as query parameters (dates are UTC days)
+    loginHistoryParams(extra = {}) {
+        const params = new URLSearchParams(extra);
+        const filters = {
+            user: document.getElementById('auditUser').value.trim(),
+            action: document.getElementById('auditAction').value,
+            from: document.getElementById('auditFrom').value,
+            to: document.getElementById('auditTo').value
+        };
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value) params.set(key, value);
+        });
+        return params;
+    }
+
+    async loadLoginHistory(page = 1) {
+        const results = document.getElementById('loginHistoryResults');
+        if (!results) return;
+
+        try {
+            const response = await this.authUtils.makeAuthenticatedRequest(`/api/login-history?${this.loginHistoryParams({ page, pageSize: 50 })}`);
+            const result = await response.json();
+
+            if (!result.success) {
+                results.innerHTML = `<p class="lot-short">${escapeHtml(result.error || 'Failed to load login history')}</p>`;
+                return;
+            }
+
+            this.renderLoginHistory(result);
+        } catch (error) {
+            console.error('❌ Login history error:', error);
+            results.innerHTML = `<p class="lot-short">Failed to load login history: ${escapeHtml(error.message)}</p>`;
+        }
+    }
+
+    renderLoginHistory({ history, total, page, totalPages, retentionDays }) {
+        const results = document.getElementById('loginHistoryResults');
+        const actionBadges = {
+            LOGIN: 'new', LOGOUT: 'unchanged', LOGIN_FAILED: 'invalid',
+            LOGIN_BLOCKED: 'changed', LOCKOUT: 'cancelled', UNLOCK: 'unchanged'
+        };
+
+        results.innerHTML = `
+            <div class="table-container login-history-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Time</th>
+                            <th>User</th>
+                            <th>Role</th>
+                            <th>Action</th>
+                            <th>Reason</th>
+                            <th>IP</th>
+                            <th>Browser</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${history.length === 0 ? '<tr><td colspan="7">No login events match these filters.</td></tr>' : history.map(entry => `
+                            <tr>
+                                <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                                <td><strong>${escapeHtml(entry.username)}</strong></td>
+                                <td>${escapeHtml(entry.role)}</td>
+                                <td><span class="preview-badge ${actionBadges[entry.action] || 'changed'}">${escapeHtml(entry.action)}</span></td>
+                                <td>${escapeHtml(entry.reason)}</td>
+                                <td>${escapeHtml(entry.ip)}</td>
+                                <td class="login-history-agent" title="${escapeHtml(entry.userAgent)}">${escapeHtml(entry.userAgent)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="login-history-pager">
+                <small>${total} events · kept for ${retentionDays} days</small>
+                <button class="btn btn-secondary" ${page <= 1 ? 'disabled' : ''} onclick="ediDashboard.loadLoginHistory(${page - 1})">◀ Newer</button>
+                <span>Page ${page} / ${totalPages}</span>
+                <button class="btn btn-secondary" ${page >= totalPages ? 'disabled' : ''} onclick="ediDashboard.loadLoginHistory(${page + 1})">Older ▶</button>
+            </div>
+        `;
+    }
+
+    async exportLoginHistory() {
+        try {
+            const response = await this.authUtils.makeAuthenticatedRequest(`/api/login-history?${this.loginHistoryParams({ format: 'csv' })}`);
+            if (!response.ok) {
+                throw new Error(`Export failed: ${response.status}`);
+            }
+
+            const blob = await response.blob();
+            const url = window.URL.createObjectURL(blob);
+            const a = document.createElement('a');
+            a.href = url;
+            a.download = `Login_History_${new Date().toISOString().split('T')[0]}.csv`;
+            document.body.appendChild(a);
+            a.click();
+            document.body.removeChild(a);
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('❌ Login history export error:', error);
+            this.showMessage('Login history export failed: ' + error.message, 'error');
+        }
+    }
+
     // ============ INITIALIZATION ============
     initializeFileHandlers() {
         const fileInput = document.getElementById('fileInput');
@@ -1894,7 +2296,7 @@ class EDIDashboard {
             fileInput.addEventListener('change', (e) => {
                 const file = e.target.files[0];
                 
-                if (file && this.userPermissions.canEdit) {
+                if (file && this.hasPermission('import.edi')) {
                     importBtn.disabled = false;
                     importBtn.textContent = `📤 Import ${file.name}`;
                     this.showMessage(`File selected: ${file.name}`, 'success');
@@ -1971,8 +2373,12 @@ class EDIDashboard {
             
             // Only proceed if we have valid authentication
             if (this.currentUser) {
+                // Product tabs and groups must exist before data is rendered into them
+                await this.loadProductMaster();
+
                 // Load EDI data with stock integration
                 await this.loadData();
+                await this.loadMappingProfiles();
                 
                 // Initialize file and button handlers
                 this.initializeFileHandlers();
@@ -2016,6 +2422,15 @@ function logout() {
 }
 
 // ============ GLOBAL EXPORT FUNCTIONS ============
+window.exportLotAllocations = function() {
+    if (window.ediDashboard) {
+        window.ediDashboard.exportLotAllocations();
+    } else {
+        console.error('❌ EDI Dashboard not found');
+        alert('Export functionality not available');
+    }
+};
+
 window.exportToCSV = function() {
     if (window.ediDashboard) {
         window.ediDashboard.exportToCSV();
@@ -2080,7 +2495,7 @@ window.testForecastStockCalculation = function() {
             const productForecasts = [];
             Object.keys(dashboard.forecastData).forEach(key => {
                 if (key.startsWith(product + '-')) {
-                    const monthDate = key.split('-').slice(1).join('-');
+                    const monthDate = key.substring(product.length + 1);
                     const quantity = dashboard.forecastData[key];
                     if (quantity > 0) {
                         productForecasts.push({ key, monthDate, quantity });
@@ -2098,7 +2513,7 @@ window.testForecastStockCalculation = function() {
                 const forecastItem = {
                     type: 'forecast',
                     monthDate: forecast.monthDate,
-                    date: `2024/${forecast.monthDate.replace('/01', '/01')}`
+                    date: forecast.monthDate
                 };
                 
                 const hasStock = dashboard.isItemStockSufficient(product, forecastItem);
@@ -2161,7 +2576,7 @@ window.testSingleForecast = function(drawingNumber, monthDate) {
     const forecastItem = {
         type: 'forecast',
         monthDate: monthDate,
-        date: `2024/${monthDate.replace('/01', '/01')}`
+        date: monthDate
     };
     
     const hasStock = dashboard.isItemStockSufficient(drawingNumber, forecastItem);
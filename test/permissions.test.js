@@ -0,0 +1,144 @@
+// Integration tests for route permissions and order status updates.
+// The app runs on in-memory storage and is driven through supertest; run with `npm test`.
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+process.env.NODE_ENV = 'test';
+delete process.env.VERCEL;
+process.env.INITIAL_ADMIN_PASSWORD = 'initial-admin-pass';
+
+// Every request is logged; keep the test output readable
+console.log = () => {};
+
+const app = require('../server');
+
+// Write routes that deliberately need no permission
+const PUBLIC_WRITE_ROUTES = ['POST /api/login', 'POST /api/logout', 'POST /api/change-password'];
+
+function mutatingRoutes() {
+  return app._router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => Object.keys(layer.route.methods)
+      .filter(method => ['post', 'put', 'delete'].includes(method))
+      .map(method => ({ method, path: layer.route.path })))
+    .filter(route => !PUBLIC_WRITE_ROUTES.includes(`${route.method.toUpperCase()} ${route.path}`));
+}
+
+function routeUrl(path) {
+  return path.replace(/:\w+/g, '1');
+}
+
+// Log in and replace the temporary password, as every new account has to
+async function loginAs(username, password) {
+  const agent = request.agent(app);
+  await agent.post('/api/login').send({ username, password }).expect(200);
+  await agent.post('/api/change-password')
+    .send({ currentPassword: password, newPassword: `${password}-changed` })
+    .expect(200);
+  return agent;
+}
+
+async function createUser(admin, username, role) {
+  const password = `${username}-temp-pass`;
+  await admin.post('/api/users').send({ username, password, role }).expect(201);
+  return loginAs(username, password);
+}
+
+function assertErrorBody(response, status) {
+  assert.equal(response.status, status);
+  assert.equal(response.body.success, false);
+  assert.equal(typeof response.body.error, 'string');
+}
+
+let admin;
+let viewer;
+let sales;
+let orderId;
+
+before(async () => {
+  await app.ready;
+  admin = await loginAs('admin', 'initial-admin-pass');
+  viewer = await createUser(admin, 'view-only', 'viewer');
+  sales = await createUser(admin, 'sales-desk', 'sales');
+
+  const csv = '受注番号,受注数量,品名,図番,納期\nT-1001,10,上枠,PP4166-4681P003,2026/11/20\n';
+  await admin.post('/api/import-edi').attach('ediFile', Buffer.from(csv), 'orders.csv').expect(200);
+  const orders = (await admin.get('/api/edi-data').expect(200)).body;
+  orderId = orders.find(order => order.order_number === 'T-1001').id;
+});
+
+describe('mutating routes', () => {
+  it('are found on the app', () => {
+    const routes = mutatingRoutes().map(route => `${route.method.toUpperCase()} ${route.path}`);
+    assert.ok(routes.length >= 30, `only ${routes.length} mutating routes found`);
+    assert.ok(routes.includes('PUT /api/edi-data/:id'));
+  });
+
+  it('reject view-only sessions with 403 { success: false, error }', async () => {
+    const info = (await viewer.get('/api/user-info').expect(200)).body;
+    assert.equal(info.role, 'viewer');
+    assert.equal(info.mustChangePassword, false);
+
+    const failures = [];
+    for (const { method, path } of mutatingRoutes()) {
+      const response = await viewer[method](routeUrl(path)).send({});
+      if (response.status !== 403 || response.body.success !== false || typeof response.body.error !== 'string') {
+        failures.push(`${method.toUpperCase()} ${path} -> ${response.status} ${JSON.stringify(response.body)}`);
+      }
+    }
+    assert.deepEqual(failures, []);
+  });
+
+  it('reject requests without a session with 401 { success: false, error }', async () => {
+    const failures = [];
+    for (const { method, path } of mutatingRoutes()) {
+      const response = await request(app)[method](routeUrl(path)).set('Accept', 'application/json').send({});
+      if (response.status !== 401 || response.body.success !== false || typeof response.body.error !== 'string') {
+        failures.push(`${method.toUpperCase()} ${path} -> ${response.status} ${JSON.stringify(response.body)}`);
+      }
+    }
+    assert.deepEqual(failures, []);
+  });
+});
+
+describe('PUT /api/edi-data/:id', () => {
+  it('saves the trimmed status for a role with orders.status.write', async () => {
+    const response = await sales.put(`/api/edi-data/${orderId}`).send({ status: '  waiting for coil  ' }).expect(200);
+    assert.deepEqual(response.body, { success: true, status: 'waiting for coil', lotsRecorded: 0 });
+
+    const orders = (await sales.get('/api/edi-data').expect(200)).body;
+    assert.equal(orders.find(order => order.id === orderId).status, 'waiting for coil');
+  });
+
+  it('answers 400 for an id that is not a positive integer', async () => {
+    assertErrorBody(await sales.put('/api/edi-data/abc').send({ status: 'ok' }), 400);
+  });
+
+  it('answers 400 for a missing status', async () => {
+    assertErrorBody(await sales.put(`/api/edi-data/${orderId}`).send({}), 400);
+  });
+
+  it('answers 400 for a status that is not a string', async () => {
+    assertErrorBody(await sales.put(`/api/edi-data/${orderId}`).send({ status: 42 }), 400);
+  });
+
+  it('answers 400 for a status over 200 characters', async () => {
+    assertErrorBody(await sales.put(`/api/edi-data/${orderId}`).send({ status: 'x'.repeat(201) }), 400);
+  });
+
+  it('answers 400 for a status with line breaks', async () => {
+    assertErrorBody(await sales.put(`/api/edi-data/${orderId}`).send({ status: 'first\nsecond' }), 400);
+  });
+
+  it('answers 404 for an unknown order', async () => {
+    assertErrorBody(await sales.put('/api/edi-data/999999').send({ status: 'ok' }), 404);
+  });
+
+  it('answers 403 for a viewer and leaves the status alone', async () => {
+    assertErrorBody(await viewer.put(`/api/edi-data/${orderId}`).send({ status: 'ok' }), 403);
+
+    const orders = (await admin.get('/api/edi-data').expect(200)).body;
+    assert.equal(orders.find(order => order.id === orderId).status, 'waiting for coil');
+  });
+});